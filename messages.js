@@ -0,0 +1,487 @@
+// ==========================================================
+// === КАТАЛОГИ СООБЩЕНИЙ ИНТЕРФЕЙСА (RU / EN / UK / LT) ===
+// ==========================================================
+// Ключи используются в index.html через t("ключ", { параметры }) и атрибуты data-i18n*.
+// Если в каком-то языке ключа нет, берётся русский вариант.
+const MESSAGES = {
+    ru: {
+        "app.title": "Поиск литовских глаголов",
+        "language.label": "Язык",
+        "search.loading": "Загрузка базы...",
+        "search.placeholder": "Поиск по любой форме...",
+        "search.error": "Ошибка загрузки базы!",
+        "table.noResults": "Ничего не найдено",
+        "table.count": "Показано {shown} из {total} глаголов",
+        "table.formHit": "{form} → {infinitive}, {tense}, {person}",
+        "column.id_num": "№",
+        "column.p_val": "P",
+        "column.hash_val": "#",
+        "column.infinitive": "Инфинитив",
+        "column.present_3rd": "3 л. настоящего вр.",
+        "column.past_3rd": "3 л. прошедшего однократного вр.",
+        "column.question": "Вопрос",
+        "column.translation": "Перевод",
+        "column.conjugations": "Спряжения",
+        "tense.Present tense": "Настоящее время",
+        "tense.Past tense": "Прошедшее время",
+        "tense.Future tense": "Будущее время",
+        "tense.Conditional mood": "Сослагательное наклонение",
+        "tense.Imperative mood": "Повелительное наклонение",
+        "tense.Past freq. tense": "Прошедшее многократное время",
+        "tenseShort.Present tense": "Настоящее",
+        "tenseShort.Past tense": "Прошедшее",
+        "tenseShort.Future tense": "Будущее",
+        "tenseShort.Conditional mood": "Сослагательное",
+        "tenseShort.Imperative mood": "Повелительное",
+        "tenseShort.Past freq. tense": "Прош. многократное",
+        "badge.generated": "сгенерировано",
+        "badge.generatedTitle": "Образовано автоматически по правилам, не из базы",
+        "filters.button": "Фильтры",
+        "filters.buttonCount": "Фильтры ({count})",
+        "filters.add": "+ Условие",
+        "filters.clear": "Сбросить",
+        "filters.share": "Ссылка на список",
+        "filters.copied": "Скопировано!",
+        "filters.sharePrompt": "Ссылка на список:",
+        "filters.shareTooLong": "Слишком много условий для ссылки Telegram — сократите поиск или фильтры",
+        "op.contains": "содержит",
+        "op.starts": "начинается на",
+        "op.ends": "заканчивается на",
+        "op.eq": "равно",
+        "op.has": "есть",
+        "op.lacks": "нет",
+        "participles.heading": "Причастия и деепричастия",
+        "participles.reflexiveNoPassive": "У возвратных глаголов страдательные причастия не образуются",
+        "participle.Present active participle": "Действ. причастие наст. вр.",
+        "participle.Past active participle": "Действ. причастие прош. вр.",
+        "participle.Future active participle": "Действ. причастие буд. вр.",
+        "participle.Present passive participle": "Страд. причастие наст. вр.",
+        "participle.Past passive participle": "Страд. причастие прош. вр.",
+        "participle.Half-participle": "Полупричастие (pusdalyvis)",
+        "participle.Gerunds": "Деепричастия (padalyviai)",
+        "gerund.Present": "Наст. вр.",
+        "gerund.Past": "Прош. вр.",
+        "gerund.Future": "Буд. вр.",
+        "gerund.Past freq.": "Прош. многократное",
+        "declension.m.sg": "Муж. ед.",
+        "declension.m.pl": "Муж. мн.",
+        "declension.f.sg": "Жен. ед.",
+        "declension.f.pl": "Жен. мн.",
+        "check.title": "Проверка генератора спряжений",
+        "check.summary": "Проверено глаголов: <b>{checked}</b>, пропущено: {skipped}, с расхождениями: <b>{mismatched}</b>.",
+        "check.download": "Скачать CSV",
+        "check.tense": "Время",
+        "check.person": "Лицо",
+        "check.expected": "В базе",
+        "check.generated": "Генератор",
+        "check.unknownPerson": "(лицо не распознано)",
+        "check.truncated": "Показаны первые {max} из {total}; полный список — в CSV.",
+        "drill.open": "Практика",
+        "drill.title": "Тренировка спряжений",
+        "drill.check": "Проверить",
+        "drill.next": "Дальше",
+        "drill.allTenses": "Все времена",
+        "drill.allP": "Все P",
+        "drill.allHash": "Все #",
+        "drill.empty": "Нет подходящих глаголов для выбранных фильтров",
+        "drill.nothingDue": "Все карточки по этим фильтрам уже запланированы — загляните позже",
+        "drill.prompt": "{tense}, <b>{person}</b>: «{infinitive}»",
+        "drill.correct": "Верно!",
+        "drill.noAccents": "Верно, но без диакритики: {expected}",
+        "drill.wrong": "Неверно. Правильно: {expected}",
+        "drill.stats": "Карточек: {total} · к повторению: {due} · выучено: {learned}",
+        "dbVersion.current": "База: версия {version}",
+        "dbVersion.updated": "База обновлена · версия {version}",
+        "lists.allVerbs": "Все глаголы",
+        "lists.favorites": "★ Избранное",
+        "lists.star": "Добавить в избранное",
+        "lists.unstar": "Убрать из избранного",
+        "lists.deleteList": "Удалить список",
+        "lists.confirmDelete": "Удалить список «{name}»?",
+        "lists.exportJson": "Экспорт JSON",
+        "lists.exportCsv": "Экспорт CSV",
+        "lists.exportCopied": "Данные скопированы в буфер обмена",
+        "lists.import": "Импорт",
+        "lists.importDone": "Импортировано глаголов: {count}",
+        "lists.importError": "Не удалось прочитать файл",
+        "notes.heading": "Мои заметки",
+        "notes.lists": "Списки",
+        "notes.newListPlaceholder": "Новый список, например «неделя 3»",
+        "notes.addList": "Добавить",
+        "notes.note": "Заметка",
+        "notes.examples": "Примеры (по одному на строку)",
+        "tg.practiceVerb": "Тренировать этот глагол",
+        "access.deniedTitle": "Доступ запрещен",
+        "access.deniedText": "Чтобы получить доступ, отправьте запрос через Telegram-бота.",
+        "access.requestButton": "Отправить запрос",
+        "access.pendingTitle": "Запрос на рассмотрении",
+        "access.pendingText": "Ваш запрос на доступ отправлен и ожидает подтверждения. Попробуйте позже.",
+        "access.expiredTitle": "Доступ истёк",
+        "access.expiredText": "Не удалось подтвердить доступ. Проверьте подключение к интернету и повторите попытку.",
+        "access.offlineTitle": "Нет подключения",
+        "access.offlineText": "Для первого входа нужен интернет, чтобы проверить доступ.",
+        "access.outsideTitle": "Откройте приложение в Telegram",
+        "access.outsideText": "Приложение доступно только через Telegram-бота.",
+        "access.retry": "Повторить",
+    },
+    en: {
+        "app.title": "Lithuanian Verbs Search",
+        "language.label": "Language",
+        "search.loading": "Loading database...",
+        "search.placeholder": "Search any form...",
+        "search.error": "Error loading database!",
+        "table.noResults": "Nothing found",
+        "table.count": "Showing {shown} of {total} verbs",
+        "table.formHit": "{form} → {infinitive}, {tense}, {person}",
+        "column.id_num": "№",
+        "column.p_val": "P",
+        "column.hash_val": "#",
+        "column.infinitive": "Infinitive",
+        "column.present_3rd": "3rd person present",
+        "column.past_3rd": "3rd person simple past",
+        "column.question": "Question",
+        "column.translation": "Translation",
+        "column.conjugations": "Conjugations",
+        "tense.Present tense": "Present tense",
+        "tense.Past tense": "Past tense",
+        "tense.Future tense": "Future tense",
+        "tense.Conditional mood": "Conditional mood",
+        "tense.Imperative mood": "Imperative mood",
+        "tense.Past freq. tense": "Past frequentative tense",
+        "tenseShort.Present tense": "Present",
+        "tenseShort.Past tense": "Past",
+        "tenseShort.Future tense": "Future",
+        "tenseShort.Conditional mood": "Conditional",
+        "tenseShort.Imperative mood": "Imperative",
+        "tenseShort.Past freq. tense": "Past freq.",
+        "badge.generated": "generated",
+        "badge.generatedTitle": "Derived by rules, not taken from the database",
+        "filters.button": "Filters",
+        "filters.buttonCount": "Filters ({count})",
+        "filters.add": "+ Condition",
+        "filters.clear": "Reset",
+        "filters.share": "Link to this list",
+        "filters.copied": "Copied!",
+        "filters.sharePrompt": "Link to this list:",
+        "filters.shareTooLong": "Too many conditions for a Telegram link — shorten the search or filters",
+        "op.contains": "contains",
+        "op.starts": "starts with",
+        "op.ends": "ends with",
+        "op.eq": "equals",
+        "op.has": "present",
+        "op.lacks": "missing",
+        "participles.heading": "Participles and gerunds",
+        "participles.reflexiveNoPassive": "Reflexive verbs have no passive participles",
+        "participle.Present active participle": "Present active participle",
+        "participle.Past active participle": "Past active participle",
+        "participle.Future active participle": "Future active participle",
+        "participle.Present passive participle": "Present passive participle",
+        "participle.Past passive participle": "Past passive participle",
+        "participle.Half-participle": "Half-participle (pusdalyvis)",
+        "participle.Gerunds": "Gerunds (padalyviai)",
+        "gerund.Present": "Present",
+        "gerund.Past": "Past",
+        "gerund.Future": "Future",
+        "gerund.Past freq.": "Past freq.",
+        "declension.m.sg": "Masc. sg.",
+        "declension.m.pl": "Masc. pl.",
+        "declension.f.sg": "Fem. sg.",
+        "declension.f.pl": "Fem. pl.",
+        "check.title": "Conjugation generator check",
+        "check.summary": "Verbs checked: <b>{checked}</b>, skipped: {skipped}, with mismatches: <b>{mismatched}</b>.",
+        "check.download": "Download CSV",
+        "check.tense": "Tense",
+        "check.person": "Person",
+        "check.expected": "Database",
+        "check.generated": "Generator",
+        "check.unknownPerson": "(unknown person)",
+        "check.truncated": "Showing the first {max} of {total}; the full list is in the CSV.",
+        "drill.open": "Practice",
+        "drill.title": "Conjugation practice",
+        "drill.check": "Check",
+        "drill.next": "Next",
+        "drill.allTenses": "All tenses",
+        "drill.allP": "All P",
+        "drill.allHash": "All #",
+        "drill.empty": "No verbs match the selected filters",
+        "drill.nothingDue": "All cards for these filters are scheduled — come back later",
+        "drill.prompt": "{tense}, <b>{person}</b>: “{infinitive}”",
+        "drill.correct": "Correct!",
+        "drill.noAccents": "Correct, but missing accents: {expected}",
+        "drill.wrong": "Wrong. Correct answer: {expected}",
+        "drill.stats": "Cards: {total} · due: {due} · learned: {learned}",
+        "dbVersion.current": "Database: version {version}",
+        "dbVersion.updated": "Database updated · version {version}",
+        "lists.allVerbs": "All verbs",
+        "lists.favorites": "★ Favourites",
+        "lists.star": "Add to favourites",
+        "lists.unstar": "Remove from favourites",
+        "lists.deleteList": "Delete list",
+        "lists.confirmDelete": "Delete the list “{name}”?",
+        "lists.exportJson": "Export JSON",
+        "lists.exportCsv": "Export CSV",
+        "lists.exportCopied": "Data copied to the clipboard",
+        "lists.import": "Import",
+        "lists.importDone": "Verbs imported: {count}",
+        "lists.importError": "Could not read the file",
+        "notes.heading": "My notes",
+        "notes.lists": "Lists",
+        "notes.newListPlaceholder": "New list, e.g. “week 3”",
+        "notes.addList": "Add",
+        "notes.note": "Note",
+        "notes.examples": "Examples (one per line)",
+        "tg.practiceVerb": "Practice this verb",
+        "access.deniedTitle": "Access denied",
+        "access.deniedText": "To get access, send a request via the Telegram bot.",
+        "access.requestButton": "Send request",
+        "access.pendingTitle": "Request pending",
+        "access.pendingText": "Your access request has been sent and is awaiting approval. Please try again later.",
+        "access.expiredTitle": "Access expired",
+        "access.expiredText": "Your access could not be confirmed. Check your internet connection and try again.",
+        "access.offlineTitle": "No connection",
+        "access.offlineText": "An internet connection is needed the first time to check your access.",
+        "access.outsideTitle": "Open the app in Telegram",
+        "access.outsideText": "The app is only available through the Telegram bot.",
+        "access.retry": "Retry",
+    },
+    uk: {
+        "app.title": "Пошук литовських дієслів",
+        "language.label": "Мова",
+        "search.loading": "Завантаження бази...",
+        "search.placeholder": "Пошук за будь-якою формою...",
+        "search.error": "Помилка завантаження бази!",
+        "table.noResults": "Нічого не знайдено",
+        "table.count": "Показано {shown} з {total} дієслів",
+        "table.formHit": "{form} → {infinitive}, {tense}, {person}",
+        "column.id_num": "№",
+        "column.p_val": "P",
+        "column.hash_val": "#",
+        "column.infinitive": "Інфінітив",
+        "column.present_3rd": "3 ос. теперішнього ч.",
+        "column.past_3rd": "3 ос. минулого одноразового ч.",
+        "column.question": "Питання",
+        "column.translation": "Переклад",
+        "column.conjugations": "Дієвідміни",
+        "tense.Present tense": "Теперішній час",
+        "tense.Past tense": "Минулий час",
+        "tense.Future tense": "Майбутній час",
+        "tense.Conditional mood": "Умовний спосіб",
+        "tense.Imperative mood": "Наказовий спосіб",
+        "tense.Past freq. tense": "Минулий багаторазовий час",
+        "tenseShort.Present tense": "Теперішній",
+        "tenseShort.Past tense": "Минулий",
+        "tenseShort.Future tense": "Майбутній",
+        "tenseShort.Conditional mood": "Умовний",
+        "tenseShort.Imperative mood": "Наказовий",
+        "tenseShort.Past freq. tense": "Мин. багаторазовий",
+        "badge.generated": "згенеровано",
+        "badge.generatedTitle": "Утворено автоматично за правилами, не з бази",
+        "filters.button": "Фільтри",
+        "filters.buttonCount": "Фільтри ({count})",
+        "filters.add": "+ Умова",
+        "filters.clear": "Скинути",
+        "filters.share": "Посилання на список",
+        "filters.copied": "Скопійовано!",
+        "filters.sharePrompt": "Посилання на список:",
+        "filters.shareTooLong": "Забагато умов для посилання Telegram — скоротіть пошук або фільтри",
+        "op.contains": "містить",
+        "op.starts": "починається на",
+        "op.ends": "закінчується на",
+        "op.eq": "дорівнює",
+        "op.has": "є",
+        "op.lacks": "немає",
+        "participles.heading": "Дієприкметники та дієприслівники",
+        "participles.reflexiveNoPassive": "Зворотні дієслова не мають пасивних дієприкметників",
+        "participle.Present active participle": "Активний дієприкм. теп. ч.",
+        "participle.Past active participle": "Активний дієприкм. мин. ч.",
+        "participle.Future active participle": "Активний дієприкм. майб. ч.",
+        "participle.Present passive participle": "Пасивний дієприкм. теп. ч.",
+        "participle.Past passive participle": "Пасивний дієприкм. мин. ч.",
+        "participle.Half-participle": "Напівдієприкметник (pusdalyvis)",
+        "participle.Gerunds": "Дієприслівники (padalyviai)",
+        "gerund.Present": "Теп. ч.",
+        "gerund.Past": "Мин. ч.",
+        "gerund.Future": "Майб. ч.",
+        "gerund.Past freq.": "Мин. багаторазовий",
+        "declension.m.sg": "Чол. одн.",
+        "declension.m.pl": "Чол. мн.",
+        "declension.f.sg": "Жін. одн.",
+        "declension.f.pl": "Жін. мн.",
+        "check.title": "Перевірка генератора дієвідмін",
+        "check.summary": "Перевірено дієслів: <b>{checked}</b>, пропущено: {skipped}, з розбіжностями: <b>{mismatched}</b>.",
+        "check.download": "Завантажити CSV",
+        "check.tense": "Час",
+        "check.person": "Особа",
+        "check.expected": "У базі",
+        "check.generated": "Генератор",
+        "check.unknownPerson": "(особу не розпізнано)",
+        "check.truncated": "Показано перші {max} з {total}; повний список — у CSV.",
+        "drill.open": "Практика",
+        "drill.title": "Тренування дієвідмін",
+        "drill.check": "Перевірити",
+        "drill.next": "Далі",
+        "drill.allTenses": "Усі часи",
+        "drill.allP": "Усі P",
+        "drill.allHash": "Усі #",
+        "drill.empty": "Немає дієслів для вибраних фільтрів",
+        "drill.nothingDue": "Усі картки за цими фільтрами вже заплановані — поверніться пізніше",
+        "drill.prompt": "{tense}, <b>{person}</b>: «{infinitive}»",
+        "drill.correct": "Правильно!",
+        "drill.noAccents": "Правильно, але без діакритики: {expected}",
+        "drill.wrong": "Неправильно. Правильно: {expected}",
+        "drill.stats": "Карток: {total} · до повторення: {due} · вивчено: {learned}",
+        "dbVersion.current": "База: версія {version}",
+        "dbVersion.updated": "Базу оновлено · версія {version}",
+        "lists.allVerbs": "Усі дієслова",
+        "lists.favorites": "★ Обране",
+        "lists.star": "Додати до обраного",
+        "lists.unstar": "Прибрати з обраного",
+        "lists.deleteList": "Видалити список",
+        "lists.confirmDelete": "Видалити список «{name}»?",
+        "lists.exportJson": "Експорт JSON",
+        "lists.exportCsv": "Експорт CSV",
+        "lists.exportCopied": "Дані скопійовано в буфер обміну",
+        "lists.import": "Імпорт",
+        "lists.importDone": "Імпортовано дієслів: {count}",
+        "lists.importError": "Не вдалося прочитати файл",
+        "notes.heading": "Мої нотатки",
+        "notes.lists": "Списки",
+        "notes.newListPlaceholder": "Новий список, напр. «тиждень 3»",
+        "notes.addList": "Додати",
+        "notes.note": "Нотатка",
+        "notes.examples": "Приклади (по одному в рядку)",
+        "tg.practiceVerb": "Тренувати це дієслово",
+        "access.deniedTitle": "Доступ заборонено",
+        "access.deniedText": "Щоб отримати доступ, надішліть запит через Telegram-бота.",
+        "access.requestButton": "Надіслати запит",
+        "access.pendingTitle": "Запит на розгляді",
+        "access.pendingText": "Ваш запит на доступ надіслано, він очікує підтвердження. Спробуйте пізніше.",
+        "access.expiredTitle": "Доступ закінчився",
+        "access.expiredText": "Не вдалося підтвердити доступ. Перевірте підключення до інтернету та спробуйте ще раз.",
+        "access.offlineTitle": "Немає з'єднання",
+        "access.offlineText": "Для першого входу потрібен інтернет, щоб перевірити доступ.",
+        "access.outsideTitle": "Відкрийте застосунок у Telegram",
+        "access.outsideText": "Застосунок доступний лише через Telegram-бота.",
+        "access.retry": "Повторити",
+    },
+    lt: {
+        "app.title": "Lietuvių kalbos veiksmažodžių paieška",
+        "language.label": "Kalba",
+        "search.loading": "Kraunama duomenų bazė...",
+        "search.placeholder": "Ieškoti bet kurios formos...",
+        "search.error": "Nepavyko įkelti duomenų bazės!",
+        "table.noResults": "Nieko nerasta",
+        "table.count": "Rodoma {shown} iš {total} veiksmažodžių",
+        "table.formHit": "{form} → {infinitive}, {tense}, {person}",
+        "column.id_num": "Nr.",
+        "column.p_val": "P",
+        "column.hash_val": "#",
+        "column.infinitive": "Bendratis",
+        "column.present_3rd": "Esamojo l. 3 asmuo",
+        "column.past_3rd": "Būtojo kartinio l. 3 asmuo",
+        "column.question": "Klausimas",
+        "column.translation": "Vertimas",
+        "column.conjugations": "Asmenuotės",
+        "tense.Present tense": "Esamasis laikas",
+        "tense.Past tense": "Būtasis kartinis laikas",
+        "tense.Future tense": "Būsimasis laikas",
+        "tense.Conditional mood": "Tariamoji nuosaka",
+        "tense.Imperative mood": "Liepiamoji nuosaka",
+        "tense.Past freq. tense": "Būtasis dažninis laikas",
+        "tenseShort.Present tense": "Esamasis",
+        "tenseShort.Past tense": "Būtasis k.",
+        "tenseShort.Future tense": "Būsimasis",
+        "tenseShort.Conditional mood": "Tariamoji",
+        "tenseShort.Imperative mood": "Liepiamoji",
+        "tenseShort.Past freq. tense": "Būtasis d.",
+        "badge.generated": "sugeneruota",
+        "badge.generatedTitle": "Sudaryta pagal taisykles, ne iš duomenų bazės",
+        "filters.button": "Filtrai",
+        "filters.buttonCount": "Filtrai ({count})",
+        "filters.add": "+ Sąlyga",
+        "filters.clear": "Išvalyti",
+        "filters.share": "Nuoroda į sąrašą",
+        "filters.copied": "Nukopijuota!",
+        "filters.sharePrompt": "Nuoroda į sąrašą:",
+        "filters.shareTooLong": "Per daug sąlygų Telegram nuorodai — sutrumpinkite paiešką arba filtrus",
+        "op.contains": "turi",
+        "op.starts": "prasideda",
+        "op.ends": "baigiasi",
+        "op.eq": "lygu",
+        "op.has": "yra",
+        "op.lacks": "nėra",
+        "participles.heading": "Dalyviai ir padalyviai",
+        "participles.reflexiveNoPassive": "Sangrąžiniai veiksmažodžiai neturi neveikiamųjų dalyvių",
+        "participle.Present active participle": "Veikiamasis esamojo l. dalyvis",
+        "participle.Past active participle": "Veikiamasis būtojo l. dalyvis",
+        "participle.Future active participle": "Veikiamasis būsimojo l. dalyvis",
+        "participle.Present passive participle": "Neveikiamasis esamojo l. dalyvis",
+        "participle.Past passive participle": "Neveikiamasis būtojo l. dalyvis",
+        "participle.Half-participle": "Pusdalyvis",
+        "participle.Gerunds": "Padalyviai",
+        "gerund.Present": "Esamasis",
+        "gerund.Past": "Būtasis k.",
+        "gerund.Future": "Būsimasis",
+        "gerund.Past freq.": "Būtasis d.",
+        "declension.m.sg": "Vyr. vns.",
+        "declension.m.pl": "Vyr. dgs.",
+        "declension.f.sg": "Mot. vns.",
+        "declension.f.pl": "Mot. dgs.",
+        "check.title": "Asmenuočių generatoriaus patikra",
+        "check.summary": "Patikrinta veiksmažodžių: <b>{checked}</b>, praleista: {skipped}, su neatitikimais: <b>{mismatched}</b>.",
+        "check.download": "Atsisiųsti CSV",
+        "check.tense": "Laikas",
+        "check.person": "Asmuo",
+        "check.expected": "Duomenų bazėje",
+        "check.generated": "Generatorius",
+        "check.unknownPerson": "(asmuo neatpažintas)",
+        "check.truncated": "Rodomi pirmi {max} iš {total}; visas sąrašas – CSV faile.",
+        "drill.open": "Praktika",
+        "drill.title": "Asmenavimo pratybos",
+        "drill.check": "Tikrinti",
+        "drill.next": "Toliau",
+        "drill.allTenses": "Visi laikai",
+        "drill.allP": "Visi P",
+        "drill.allHash": "Visi #",
+        "drill.empty": "Pagal pasirinktus filtrus veiksmažodžių nėra",
+        "drill.nothingDue": "Visos šių filtrų kortelės jau suplanuotos — grįžkite vėliau",
+        "drill.prompt": "{tense}, <b>{person}</b>: „{infinitive}“",
+        "drill.correct": "Teisingai!",
+        "drill.noAccents": "Teisingai, bet be diakritikų: {expected}",
+        "drill.wrong": "Neteisingai. Teisingai: {expected}",
+        "drill.stats": "Kortelių: {total} · kartoti: {due} · išmokta: {learned}",
+        "dbVersion.current": "Duomenų bazė: versija {version}",
+        "dbVersion.updated": "Duomenų bazė atnaujinta · versija {version}",
+        "lists.allVerbs": "Visi veiksmažodžiai",
+        "lists.favorites": "★ Mėgstami",
+        "lists.star": "Pridėti prie mėgstamų",
+        "lists.unstar": "Pašalinti iš mėgstamų",
+        "lists.deleteList": "Ištrinti sąrašą",
+        "lists.confirmDelete": "Ištrinti sąrašą „{name}“?",
+        "lists.exportJson": "Eksportuoti JSON",
+        "lists.exportCsv": "Eksportuoti CSV",
+        "lists.exportCopied": "Duomenys nukopijuoti į iškarpinę",
+        "lists.import": "Importuoti",
+        "lists.importDone": "Importuota veiksmažodžių: {count}",
+        "lists.importError": "Nepavyko perskaityti failo",
+        "notes.heading": "Mano užrašai",
+        "notes.lists": "Sąrašai",
+        "notes.newListPlaceholder": "Naujas sąrašas, pvz. „3 savaitė“",
+        "notes.addList": "Pridėti",
+        "notes.note": "Pastaba",
+        "notes.examples": "Pavyzdžiai (po vieną eilutėje)",
+        "tg.practiceVerb": "Praktikuoti šį veiksmažodį",
+        "access.deniedTitle": "Prieiga uždrausta",
+        "access.deniedText": "Norėdami gauti prieigą, išsiųskite užklausą per Telegram botą.",
+        "access.requestButton": "Siųsti užklausą",
+        "access.pendingTitle": "Užklausa nagrinėjama",
+        "access.pendingText": "Jūsų prieigos užklausa išsiųsta ir laukia patvirtinimo. Bandykite vėliau.",
+        "access.expiredTitle": "Prieiga baigėsi",
+        "access.expiredText": "Nepavyko patvirtinti prieigos. Patikrinkite interneto ryšį ir bandykite dar kartą.",
+        "access.offlineTitle": "Nėra ryšio",
+        "access.offlineText": "Pirmą kartą prisijungiant reikia interneto prieigai patikrinti.",
+        "access.outsideTitle": "Atidarykite programėlę Telegram",
+        "access.outsideText": "Programėlė pasiekiama tik per Telegram botą.",
+        "access.retry": "Bandyti dar kartą",
+    },
+};
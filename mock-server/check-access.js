@@ -0,0 +1,201 @@
+// ==========================================================
+// === ЛОКАЛЬНАЯ ЗАГЛУШКА API ПРОВЕРКИ ДОСТУПА ===
+// ==========================================================
+// Повторяет контракт /api/check-access, чтобы весь сценарий авторизации можно было проверить без Telegram.
+// Только встроенные модули Node, без зависимостей.
+// Это эталон для настоящего эндпоинта: он так же проверяет подпись и возраст initData, а присланный token —
+// подпись, срок и совпадение uid с пользователем из initData; решение о доступе принимается только на сервере.
+//
+//   node mock-server/check-access.js
+//   -> откройте http://localhost:8787/api/dev/init-data?id=1&first_name=Test и перейдите по ссылке из поля "url"
+//
+// Переменные окружения:
+//   PORT                 — порт (по умолчанию 8787)
+//   BOT_TOKEN            — токен тестового бота, которым подписывается и проверяется initData
+//   ACCESS_TOKEN_SECRET  — секрет для подписи токенов доступа
+//   ACCESS_TOKEN_TTL     — время жизни токена в секундах (по умолчанию 7 дней)
+//   ALLOWED_USERS        — id пользователей с доступом через запятую (по умолчанию "1")
+//   PENDING_USERS        — id пользователей, чей запрос ещё рассматривается
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 8787;
+const HOST = '127.0.0.1';
+const BOT_TOKEN = process.env.BOT_TOKEN || '123456:TEST-BOT-TOKEN';
+const ACCESS_TOKEN_SECRET = process.env.ACCESS_TOKEN_SECRET || 'local-dev-secret';
+const ACCESS_TOKEN_TTL = Number(process.env.ACCESS_TOKEN_TTL) || 7 * 24 * 60 * 60;
+const MAX_AUTH_AGE = 24 * 60 * 60; // initData старше суток не принимается
+const parseIds = (value) => new Set((value || '').split(',').map(id => id.trim()).filter(Boolean));
+const ALLOWED_USERS = parseIds(process.env.ALLOWED_USERS || '1');
+const PENDING_USERS = parseIds(process.env.PENDING_USERS);
+const STATIC_ROOT = path.resolve(__dirname, '..');
+
+const base64url = (input) => Buffer.from(input).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+
+// Алгоритм из документации Telegram: secret_key = HMAC_SHA256("WebAppData", bot_token),
+// hash = hex(HMAC_SHA256(secret_key, data_check_string)), где data_check_string — отсортированные пары key=value без hash
+function computeInitDataHash(params, botToken) {
+    const dataCheckString = [...params.entries()]
+        .filter(([key]) => key !== 'hash')
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)) // побайтовый порядок, как у Telegram, а не локаль
+        .map(([key, value]) => `${key}=${value}`)
+        .join('\n');
+    const secretKey = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+    return crypto.createHmac('sha256', secretKey).update(dataCheckString).digest('hex');
+}
+
+// Возвращает пользователя из initData или null, если подпись неверна или данные устарели
+function validateInitData(initData, botToken = BOT_TOKEN, now = Date.now()) {
+    if (typeof initData !== 'string' || !initData) return null;
+    const params = new URLSearchParams(initData);
+    const hash = params.get('hash');
+    if (!hash || !/^[0-9a-f]{64}$/.test(hash)) return null;
+    const expected = computeInitDataHash(params, botToken);
+    if (!crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(expected, 'hex'))) return null;
+    const authDate = Number(params.get('auth_date'));
+    if (!authDate || now / 1000 - authDate > MAX_AUTH_AGE) return null;
+    try {
+        const user = JSON.parse(params.get('user'));
+        return user && user.id ? user : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function buildInitData(user, botToken = BOT_TOKEN, authDate = Math.floor(Date.now() / 1000)) {
+    const params = new URLSearchParams({ auth_date: String(authDate), query_id: `mock-${crypto.randomBytes(6).toString('hex')}`, user: JSON.stringify(user) });
+    params.set('hash', computeInitDataHash(params, botToken));
+    return params.toString();
+}
+
+function signAccessToken(userId, now = Date.now()) {
+    const payload = base64url(JSON.stringify({ uid: userId, iat: Math.floor(now / 1000), exp: Math.floor(now / 1000) + ACCESS_TOKEN_TTL }));
+    const signature = base64url(crypto.createHmac('sha256', ACCESS_TOKEN_SECRET).update(payload).digest());
+    return `${payload}.${signature}`;
+}
+
+// Для подлинного токена возвращает { uid, iat, exp, expired }, для подделки или мусора — null.
+// Клиент не может проверить подпись сам, поэтому настоящий /api/check-access обязан делать ту же проверку.
+function verifyAccessToken(token, now = Date.now()) {
+    if (typeof token !== 'string') return null;
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) return null;
+    const expected = base64url(crypto.createHmac('sha256', ACCESS_TOKEN_SECRET).update(payload).digest());
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) return null;
+    try {
+        const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        if (!data || data.uid === undefined || !Number(data.exp)) return null;
+        return { ...data, expired: Number(data.exp) <= now / 1000 };
+    } catch (e) {
+        return null;
+    }
+}
+
+function decideAccess(userId) {
+    const id = String(userId);
+    if (ALLOWED_USERS.has(id)) return 'allowed';
+    if (PENDING_USERS.has(id)) return 'pending';
+    return 'denied';
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Access-Control-Allow-Origin': '*' });
+    res.end(JSON.stringify(body));
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > 64 * 1024) {
+                reject(new Error('Body too large'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            try { resolve(JSON.parse(body || '{}')); } catch (e) { reject(e); }
+        });
+        req.on('error', reject);
+    });
+}
+
+async function handleCheckAccess(req, res) {
+    let body;
+    try { body = await readJsonBody(req); } catch (e) { return sendJson(res, 400, { status: 'invalid' }); }
+    const user = validateInitData(body.initData);
+    if (!user) return sendJson(res, 401, { status: 'invalid' });
+    // Присланный токен должен быть выдан этим сервером и этому пользователю; подлинный истёкший просто перевыпускается
+    if (body.token) {
+        const payload = verifyAccessToken(body.token);
+        if (!payload || String(payload.uid) !== String(user.id)) return sendJson(res, 401, { status: 'invalid' });
+    }
+    const status = decideAccess(user.id);
+    if (status !== 'allowed') return sendJson(res, 403, { status });
+    const token = signAccessToken(user.id);
+    const expiresAt = (Math.floor(Date.now() / 1000) + ACCESS_TOKEN_TTL) * 1000;
+    return sendJson(res, 200, { status, token, expiresAt });
+}
+
+// Выдаёт подписанный тестовым токеном initData и ссылку, по которой telegram-web-app.js подхватит его из хэша
+function handleDevInitData(url, res) {
+    const user = { id: Number(url.searchParams.get('id')) || 1, first_name: url.searchParams.get('first_name') || 'Test', username: url.searchParams.get('username') || 'test_user', language_code: url.searchParams.get('language_code') || 'ru' };
+    const initData = buildInitData(user);
+    const hash = new URLSearchParams({ tgWebAppData: initData, tgWebAppVersion: '7.0', tgWebAppPlatform: 'unknown' });
+    return sendJson(res, 200, { initData, url: `http://localhost:${PORT}/#${hash.toString()}` });
+}
+
+const CONTENT_TYPES = { '.html': 'text/html; charset=utf-8', '.js': 'text/javascript; charset=utf-8', '.wasm': 'application/wasm', '.json': 'application/json', '.sqlite': 'application/octet-stream' };
+
+// Раздаются только файлы приложения, а не весь корень репозитория (.git, служебные файлы и т.п.)
+const STATIC_FILES = new Set(['index.html', 'sw.js', 'messages.js', 'sql-wasm.js', 'sql-wasm.wasm', 'db-version.json', 'verbs.sqlite']);
+
+function serveStatic(url, res) {
+    let relative;
+    try {
+        relative = decodeURIComponent(url.pathname === '/' ? '/index.html' : url.pathname).slice(1);
+    } catch (e) {
+        res.writeHead(400);
+        return res.end();
+    }
+    if (!STATIC_FILES.has(relative)) {
+        res.writeHead(404);
+        return res.end();
+    }
+    const filePath = path.join(STATIC_ROOT, relative);
+    fs.readFile(filePath, (err, data) => {
+        if (err) {
+            res.writeHead(404);
+            return res.end();
+        }
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(data);
+    });
+}
+
+function createServer() {
+    return http.createServer((req, res) => {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, { 'Access-Control-Allow-Origin': '*', 'Access-Control-Allow-Methods': 'POST, GET', 'Access-Control-Allow-Headers': 'Content-Type' });
+            return res.end();
+        }
+        if (url.pathname === '/api/check-access' && req.method === 'POST') return handleCheckAccess(req, res);
+        if (url.pathname === '/api/dev/init-data' && req.method === 'GET') return handleDevInitData(url, res);
+        if (req.method === 'GET' || req.method === 'HEAD') return serveStatic(url, res);
+        res.writeHead(405);
+        res.end();
+    });
+}
+
+if (require.main === module) {
+    // Только локальный интерфейс: заглушка выдаёт подписанные initData любому, кто до неё достучится
+    createServer().listen(PORT, HOST, () => {
+        console.log(`Mock check-access API: http://localhost:${PORT}/api/check-access`);
+        console.log(`Test initData link:    http://localhost:${PORT}/api/dev/init-data?id=1`);
+    });
+}
+
+module.exports = { validateInitData, buildInitData, signAccessToken, verifyAccessToken, createServer };
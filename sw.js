@@ -0,0 +1,77 @@
+// ==========================================================
+// === SERVICE WORKER: ОФЛАЙН-КЭШ ОБОЛОЧКИ ПРИЛОЖЕНИЯ ===
+// ==========================================================
+// Скрипты своего источника (в том числе каталоги сообщений) берутся из сети, поэтому их правки доходят без смены версии;
+// версию кэша увеличивайте при изменении списка предзагружаемых файлов.
+const CACHE_NAME = "lithuanian-verbs-v6";
+const PRECACHE_URLS = ["./", "./index.html", "./sql-wasm.js", "./sql-wasm.wasm", "./messages.js", "./verbs.sqlite"];
+const PRECACHED_PATHS = new Set(PRECACHE_URLS.map(path => new URL(path, self.location).pathname));
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_URLS)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (err) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw err;
+    }
+}
+
+// Сторонние скрипты (Telegram SDK, Tailwind) отдаются из кэша, но каждый раз обновляются в фоне,
+// чтобы новые версии API доходили до пользователей без смены версии кэша
+async function staleWhileRevalidate(event) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(event.request);
+    const update = fetch(event.request).then(response => {
+        if (response.ok || response.type === 'opaque') cache.put(event.request, response.clone());
+        return response;
+    });
+    if (!cached) return update;
+    event.waitUntil(update.catch(() => { /* без сети остаётся кэшированная копия */ }));
+    return cached;
+}
+
+async function cacheFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+    return response;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    // Страница, свои скрипты и манифест версии базы всегда берутся из сети, если она есть;
+    // сама база обновляется через IndexedDB на стороне страницы, а предзагруженная копия
+    // читается страницей напрямую из кэша, если IndexedDB пуст и сети нет.
+    const isOwnScript = url.origin === self.location.origin && url.pathname.endsWith('.js');
+    if (request.mode === 'navigate' || isOwnScript || url.pathname.endsWith('/db-version.json')) {
+        event.respondWith(networkFirst(request));
+        return;
+    }
+    if (request.cache === 'no-store') return;
+    if (url.origin !== self.location.origin) {
+        event.respondWith(staleWhileRevalidate(event));
+        return;
+    }
+    // Из кэша в первую очередь — только неизменяемые предзагруженные файлы (sql-wasm.wasm, база)
+    event.respondWith(PRECACHED_PATHS.has(url.pathname) ? cacheFirst(request) : networkFirst(request));
+});